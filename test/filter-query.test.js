@@ -0,0 +1,75 @@
+// `/project list` filter text: parsed into the same { searchTerm, filters, sort } the filter modal produces.
+process.env.STORAGE_BACKEND = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilterQuery } = require('../index');
+
+const ASKER = 'U0ASKER';
+const TODAY = '2026-10-19';
+
+function parse(text) {
+  return parseFilterQuery(text, ASKER, TODAY);
+}
+
+test('quoted values and quoted search text', async () => {
+  const query = await parse('status:"In progress" "onboarding flow" api');
+  assert.deepEqual(query.errors, []);
+  assert.deepEqual(query.filters.status, ['In progress']);
+  assert.equal(query.searchTerm, 'onboarding flow api');
+});
+
+test('repeated keys and comma-separated values select several options', async () => {
+  const query = await parse('bu:mortgage bu:Mint priority:highest,high bu:mortgage');
+  assert.deepEqual(query.errors, []);
+  assert.deepEqual(query.filters.bu, ['Mortgage', 'Mint']);
+  assert.deepEqual(query.filters.priority, ['Highest - ETD next 30 days', 'High - ETD EoQ3']);
+});
+
+test('-key: excludes values', async () => {
+  const query = await parse('-status:Delivered -status:cancelled bu:gv');
+  assert.deepEqual(query.errors, []);
+  assert.deepEqual(query.filters.exclude.status, ['Delivered', 'Cancelled / Deprecated']);
+  assert.deepEqual(query.filters.status, []);
+  assert.deepEqual(query.filters.bu, ['GV']);
+
+  const owner = await parse('-owner:alice');
+  assert.equal(owner.errors.length, 1);
+  assert.match(owner.errors[0], /only status, priority, bu and okr can be excluded/);
+});
+
+test('date comparisons, relative dates and ranges', async () => {
+  const before = await parse('due:<2026-12-31 updated:>=today-7');
+  assert.deepEqual(before.errors, []);
+  assert.deepEqual(before.filters.target, { from: null, to: '2026-12-30' });
+  assert.deepEqual(before.filters.updated, { from: '2026-10-12', to: null });
+
+  const range = await parse('due:2026-01-01..2026-06-30 updated:today');
+  assert.deepEqual(range.errors, []);
+  assert.deepEqual(range.filters.target, { from: '2026-01-01', to: '2026-06-30' });
+  assert.deepEqual(range.filters.updated, { from: TODAY, to: TODAY });
+
+  const invalid = await parse('due:someday due:2026-02-30 updated:2026-06-30..2026-01-01');
+  assert.equal(invalid.errors.length, 3);
+  assert.match(invalid.errors[0], /`due:someday` isn't a date/);
+  assert.match(invalid.errors[1], /`due:2026-02-30` isn't a date/);
+  assert.match(invalid.errors[2], /ends before it starts/);
+});
+
+test('unknown keys and options are reported, not searched for', async () => {
+  const query = await parse('color:red status:shipped bu:m');
+  assert.equal(query.errors.length, 3);
+  assert.match(query.errors[0], /`color:` isn't a filter/);
+  assert.match(query.errors[1], /no Status called "shipped"/);
+  assert.match(query.errors[2], /could be more than one BU/);
+  assert.equal(query.searchTerm, '');
+});
+
+test('an unclosed quote is reported without leaking into the search', async () => {
+  const query = await parse('bu:mint status:"In progress');
+  assert.deepEqual(query.errors, ['`status:"In progress` has a quote that is never closed.']);
+  assert.equal(query.searchTerm, '');
+
+  const search = await parse('"onboarding flow');
+  assert.deepEqual(search.errors, ['`"onboarding flow` has a quote that is never closed.']);
+});
@@ -0,0 +1,96 @@
+// Airtable formula builder: user input must always end up inside a single escaped string literal.
+process.env.STORAGE_BACKEND = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formulaString, formulaField, buildProjectFilterFormula } = require('../index');
+
+const HOSTILE_INPUTS = [
+  'say "hello"',
+  'back\\slash\\',
+  '\\"',
+  '{Status}',
+  'close} brace {open',
+  'line one\nline two\r\n\ttabbed',
+  '") , TRUE(), ("',
+  '"), OR(1, 1), ("',
+  '\' & {Deleted at} & \'',
+  'x")) , RECORD_ID() != "',
+  'nul\u0000bell\u0007del\u007f'
+];
+
+// Replaces every string literal with a placeholder, leaving the formula's structure
+function formulaSkeleton(formula) {
+  return formula.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+}
+
+// Reads a formulaString literal back into the original text (control characters are dropped)
+function parseLiteral(literal) {
+  assert.match(literal, /^"(?:[^"\\]|\\.)*"$/);
+  return literal.slice(1, -1).replace(/\\(.)/g, (_, char) => ({ n: '\n', r: '\r', t: '\t' }[char] || char));
+}
+
+test('formulaString escapes quotes, backslashes and whitespace', () => {
+  assert.equal(formulaString('a"b'), '"a\\"b"');
+  assert.equal(formulaString('a\\b'), '"a\\\\b"');
+  assert.equal(formulaString('a\nb\rc\td'), '"a\\nb\\rc\\td"');
+  assert.equal(formulaString('{Status}'), '"{Status}"');
+  assert.equal(formulaString(42), '"42"');
+});
+
+test('formulaString round-trips hostile input as one literal', () => {
+  for (const input of HOSTILE_INPUTS) {
+    const expected = input.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '');
+    assert.equal(parseLiteral(formulaString(input)), expected, JSON.stringify(input));
+  }
+});
+
+test('formulaField accepts plain names and rejects anything that could close the reference', () => {
+  assert.equal(formulaField('Related BU'), '{Related BU}');
+  assert.equal(formulaField('Owner(s)'), '{Owner(s)}');
+  for (const name of ['Name}', '{Name', 'a}, TRUE(), {b', '', null, undefined, 42]) {
+    assert.throws(() => formulaField(name), /Invalid Airtable field name/, JSON.stringify(name));
+  }
+});
+
+test('hostile search terms never change the formula structure', () => {
+  const skeleton = formulaSkeleton(buildProjectFilterFormula('benign', {}));
+  for (const input of HOSTILE_INPUTS) {
+    assert.equal(formulaSkeleton(buildProjectFilterFormula(input, {})), skeleton, JSON.stringify(input));
+  }
+});
+
+test('hostile owner names and select values never change the formula structure', () => {
+  const filtersFor = value => ({
+    status: [value],
+    priority: [value],
+    bu: [value, 'Mortgage'],
+    okr: [value],
+    exclude: { status: [value] },
+    owners: [value, 'Alice'],
+    slackUserId: value
+  });
+  const skeleton = formulaSkeleton(buildProjectFilterFormula('', filtersFor('benign')));
+  for (const input of HOSTILE_INPUTS) {
+    assert.equal(formulaSkeleton(buildProjectFilterFormula('', filtersFor(input))), skeleton, JSON.stringify(input));
+  }
+});
+
+test('hostile values stay readable inside their literal', () => {
+  const formula = buildProjectFilterFormula('', { owners: ['") , TRUE(), ("'] });
+  assert.ok(formula.includes(formulaString('") , TRUE(), ("')));
+  assert.ok(!formula.includes('TRUE()"'));
+});
+
+test('invalid date bounds are ignored rather than passed to Airtable', () => {
+  const formula = buildProjectFilterFormula('', { target: { from: '2026-01-01") , TRUE(), ("', to: '2026-12-31' } });
+  assert.ok(!formula.includes('TRUE()'));
+  assert.ok(formula.includes('"2026-12-31"'));
+});
+
+test('bases without the trash fields never reference them', () => {
+  const options = { hasTrashFields: false };
+  assert.ok(!buildProjectFilterFormula('mint', {}, options).includes('{Deleted at}'));
+  assert.equal(buildProjectFilterFormula('', { deleted: 'only' }, options), 'FALSE()');
+  assert.ok(buildProjectFilterFormula('mint', {}).includes('{Deleted at}'));
+});
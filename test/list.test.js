@@ -0,0 +1,110 @@
+// Project list buttons: the list state travels in button values, which Slack caps at 2000 characters.
+process.env.STORAGE_BACKEND = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listSortButton, listNavigationButton, saveViewButton, decodeListState } = require('../index');
+
+const SLACK_BUTTON_VALUE_MAX_LENGTH = 2000;
+const SORT_KEYS = ['priority', 'target', 'updated', 'status', 'name'];
+
+// The built-in options from index.js
+const STATUSES = ['Not started', 'In progress', 'Delivered', 'Cancelled / Deprecated'];
+const PRIORITIES = [
+  'Highest - ETD next 30 days',
+  'High - ETD EoQ3',
+  'Medium - ETD EoQ4',
+  'Low - ETD TBD (possible spill over)'
+];
+const BUS = ['P1', 'Exclusives', 'Mortgage', 'GV', 'Company level', 'Blocks', 'Mint'];
+const OKRS = [
+  'O1 KR1 - Mint/Blocks Growth',
+  'O1 KR2 - Mortgage Growth',
+  'O1 KR3 - Exclusives Growth',
+  'O1 KR4 - GV Growth',
+  'O2 KR1 - Mint App',
+  'O2 KR2 - P1',
+  'O2 KR3 - Appro',
+  'O2 KR4 - Brokers Hub',
+  'O2 KR5 - AI',
+  'O3 KR1 - Internal efficiency',
+  'O3 KR2 - CX',
+  'O4 KR1 - Tech hiring',
+  'O4 KR2 - eNPS'
+];
+
+const OWNERS = Array.from({ length: 30 }, (_, index) => `Team Member Number ${index + 1}`);
+
+// Every select included and excluded, many owners, both date ranges and a long search
+function everyFilterState(searchTerm = 'onboarding "flow" \\ {Status} '.repeat(8)) {
+  return {
+    view: 'browse',
+    name: 'Everything everywhere',
+    searchTerm,
+    filters: {
+      status: STATUSES,
+      priority: PRIORITIES,
+      bu: BUS,
+      okr: OKRS,
+      exclude: { status: STATUSES, priority: PRIORITIES, bu: BUS, okr: OKRS },
+      owners: OWNERS,
+      noOwner: true,
+      noTargetDate: true,
+      target: { from: '2026-01-01', to: '2026-12-31' },
+      updated: { from: '2026-01-01', to: '2026-06-30' }
+    },
+    sort: 'priority,-target',
+    pageSize: 20,
+    page: 3
+  };
+}
+
+function listButtons(state) {
+  return [
+    ...SORT_KEYS.map(key => listSortButton(state, key)),
+    listNavigationButton(state, state.page - 1, '◀ Previous', 'prev'),
+    listNavigationButton(state, state.page + 1, 'Next ▶', 'next'),
+    saveViewButton(state)
+  ];
+}
+
+test('a list with every filter set renders button values within Slack\'s limit', () => {
+  const state = everyFilterState();
+  assert.ok(JSON.stringify(state).length > SLACK_BUTTON_VALUE_MAX_LENGTH, 'fixture should overflow plain JSON');
+
+  for (const button of listButtons(state)) {
+    assert.ok(button.value.length <= SLACK_BUTTON_VALUE_MAX_LENGTH, `${button.action_id} value is ${button.value.length} chars`);
+
+    const decoded = decodeListState(button.value);
+    assert.equal(decoded.searchTerm, state.searchTerm);
+    assert.equal(decoded.trimmed, false);
+    assert.deepEqual(decoded.filters.owners, OWNERS);
+    assert.deepEqual(decoded.filters.exclude.okr, OKRS);
+  }
+
+  const next = decodeListState(listNavigationButton(state, 4, 'Next ▶', 'next').value);
+  assert.deepEqual(next, { ...state, page: 4, trimmed: false });
+});
+
+test('a search term that would overflow the button is dropped and flagged', () => {
+  const state = everyFilterState('x'.repeat(SLACK_BUTTON_VALUE_MAX_LENGTH));
+
+  for (const button of listButtons(state)) {
+    assert.ok(button.value.length <= SLACK_BUTTON_VALUE_MAX_LENGTH, `${button.action_id} value is ${button.value.length} chars`);
+
+    const decoded = decodeListState(button.value);
+    assert.equal(decoded.searchTerm, '');
+    assert.equal(decoded.trimmed, true);
+    assert.deepEqual(decoded.filters.owners, OWNERS);
+  }
+});
+
+test('select values that are no longer configured keep their text', () => {
+  const state = { view: 'mine', searchTerm: 'mint', filters: { status: ['In progress', 'Retired'] }, sort: '-updated', page: 1 };
+  const decoded = decodeListState(listNavigationButton(state, 2, 'Next ▶', 'next').value);
+
+  assert.equal(decoded.view, 'mine');
+  assert.deepEqual(decoded.filters, { status: ['In progress', 'Retired'] });
+  assert.equal(decoded.sort, '-updated');
+  assert.equal(decoded.page, 2);
+});
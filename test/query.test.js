@@ -0,0 +1,46 @@
+// Natural language queries: keyword grammar turned into searchProjects filters.
+process.env.STORAGE_BACKEND = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProjectQuery } = require('../index');
+
+const ASKER = 'U0ASKER';
+
+test('"me" in a request does not narrow to the asker', () => {
+  const overdue = parseProjectQuery('show me overdue projects', ASKER);
+  assert.equal(overdue.health, 'overdue');
+  assert.equal(overdue.filters.slackUserId, undefined);
+  assert.equal(overdue.searchTerm, '');
+  assert.deepEqual(overdue.ignored, []);
+
+  const everything = parseProjectQuery('give me a list of all projects', ASKER);
+  assert.deepEqual(everything.filters, {});
+  assert.equal(everything.health, null);
+  assert.equal(everything.searchTerm, '');
+  assert.deepEqual(everything.ignored, []);
+
+  const mortgage = parseProjectQuery('tell me about mortgage projects in progress', ASKER);
+  assert.deepEqual(mortgage.filters, { bu: 'Mortgage', status: 'In progress' });
+  assert.deepEqual(mortgage.ignored, []);
+});
+
+test('"my", "mine", "owned by me" and "I own" narrow to the asker', () => {
+  for (const text of ['my projects', 'which projects are mine', 'projects owned by me', 'what projects do I own', 'projects I own']) {
+    const query = parseProjectQuery(text, ASKER);
+    assert.equal(query.filters.slackUserId, ASKER, text);
+    assert.deepEqual(query.ignored, [], text);
+  }
+
+  const combined = parseProjectQuery('show me my high priority projects at risk', ASKER);
+  assert.equal(combined.filters.slackUserId, ASKER);
+  assert.equal(combined.health, 'flagged');
+  assert.match(combined.filters.priority, /^High/);
+});
+
+test('multi-word keywords match whatever whitespace separates their words', () => {
+  const query = parseProjectQuery('projects owned  by\tme that are in   progress', ASKER);
+  assert.equal(query.filters.slackUserId, ASKER);
+  assert.equal(query.filters.status, 'In progress');
+  assert.deepEqual(query.ignored, []);
+});